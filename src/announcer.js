@@ -1,32 +1,65 @@
-const db = require("./db");
+// Posts "moved P5 → P3" messages when drivers change position on the leaderboard.
+// Called from showLeaderboard after the fresh ranks are computed.
+//
+// Movement is measured from the rank we last announced for a driver (or their
+// previous rank if we never have), so small moves that fall under the minimum
+// or land inside the cooldown accumulate instead of being lost.
+const { updateDriverRating } = require("./db");
 
-function checkForPositionChanges(client, channelId) {
-  const channel = client.channels.cache.get(channelId);
-  if (!channel) return;
+const HOUR_MS = 60 * 60 * 1000;
 
-  const drivers = db.prepare(`
-    SELECT * FROM drivers
-    ORDER BY irating DESC
-  `).all();
+function readNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+// Minimum number of places a driver has to move before it's worth a message
+const MIN_MOVEMENT = Math.max(1, readNumber("ANNOUNCE_MIN_MOVEMENT", 1));
+// Don't announce the same driver more than once within this window
+const COOLDOWN_MS  = readNumber("ANNOUNCE_COOLDOWN_HOURS", 12) * HOUR_MS;
+
+function formatMovement(name, oldRank, newRank, categoryLabel) {
+  const movement = oldRank - newRank;
+  const emoji    = movement > 0 ? "📈" : "📉";
+  return `${emoji} **${name}** moved **P${oldRank} → P${newRank}** in ${categoryLabel} (${movement > 0 ? "+" : ""}${movement})`;
+}
 
-  drivers.forEach((driver, index) => {
-    const newRank = index + 1;
-    const oldRank = driver.last_rank;
+// channels: where to post (one announce channel per configured server)
+// drivers: ranked drivers of one category with lastRank already set to the new position
+// previousRanks: Map of discordId → lastRank before this leaderboard run
+async function checkForPositionChanges(channels, drivers, previousRanks, categoryLabel) {
+  const now   = Date.now();
+  const lines = [];
 
-    if (oldRank && oldRank !== newRank) {
-      const movement = oldRank - newRank;
-      const emoji = movement > 0 ? "📈" : "📉";
+  for (const driver of drivers) {
+    const newRank = driver.lastRank;
+    const oldRank = driver.announcedRank ?? previousRanks.get(driver.discordId);
+    if (!oldRank || !newRank) continue;
 
-      channel.send(
-        `${emoji} **${driver.name}** moved from **P${oldRank} → P${newRank}** (${movement > 0 ? "+" : ""}${movement})`
-      );
+    const announce = Math.abs(oldRank - newRank) >= MIN_MOVEMENT &&
+      !(driver.rankAnnouncedAt && now - driver.rankAnnouncedAt < COOLDOWN_MS);
+
+    if (announce) {
+      lines.push({ driver, text: formatMovement(driver.iracingName, oldRank, newRank, categoryLabel) });
+    } else if (driver.announcedRank == null) {
+      // Start tracking from the rank they held before this run
+      updateDriverRating(driver.discordId, driver.category, { announcedRank: oldRank });
     }
+  }
+
+  if (lines.length === 0 || channels.length === 0) return 0;
+
+  const content = lines.map(l => l.text).join("\n");
+  for (const channel of channels) {
+    await channel.send({ content, allowedMentions: { parse: [] } })
+      .catch(err => console.error(`Position announcer: post to ${channel.id} failed:`, err.message));
+  }
 
-    // Save the new rank
-    db.prepare(
-      "UPDATE drivers SET last_rank = ? WHERE id = ?"
-    ).run(newRank, driver.id);
-  });
+  for (const { driver } of lines) {
+    updateDriverRating(driver.discordId, driver.category, { announcedRank: driver.lastRank, rankAnnouncedAt: now });
+  }
+  console.log(`Position announcer: posted ${lines.length} movement(s)`);
+  return lines.length;
 }
 
 module.exports = { checkForPositionChanges };
@@ -1,19 +1,1025 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
 const Database = require("better-sqlite3");
+const MIGRATIONS = require("./migrations");
 
-const db = new Database("data.db");
+// ====================== CONNECTION ======================
+const DATA_DIR = process.env.DATA_DIR || "/app/data";
+const DB_FILE  = path.join(DATA_DIR, "gsr.db");
 
-// Create table if it doesn't exist
-db.prepare(`
-  CREATE TABLE IF NOT EXISTS drivers (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    name TEXT,
-    irating INTEGER,
-    last_rank INTEGER
-    iracing_customer_id INTEGER,
-    iracing_access_token TEXT,
-    iracing_refresh_token TEXT
+if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
 
-  )
-`).run();
+const db = new Database(DB_FILE);
+db.pragma("journal_mode = WAL");
+db.pragma("foreign_keys = ON");
 
-module.exports = db;
+// Apply any migrations newer than the schema version recorded in the file.
+// Each one runs in its own transaction so a failure leaves the previous version intact.
+function migrate() {
+  const current = db.pragma("user_version", { simple: true });
+  MIGRATIONS.slice(current).forEach((sql, i) => {
+    const version = current + i + 1;
+    db.transaction(() => {
+      db.exec(sql);
+      db.pragma(`user_version = ${version}`);
+    })();
+    console.log(`Database migrated to schema v${version}`);
+  });
+}
+
+migrate();
+
+// ====================== ROW MAPPING ======================
+// Field maps translate the camelCase objects the bot passes around into columns.
+// A field is either a column name or [column, codec] for values that need converting.
+const CODECS = {
+  bool: { toDb: v => (v ? 1 : 0),             fromDb: v => !!v },
+  json: { toDb: v => JSON.stringify(v ?? null), fromDb: v => (v == null ? null : JSON.parse(v)) }
+};
+
+function fieldSpec(field) {
+  return Array.isArray(field) ? field : [field, null];
+}
+
+function fromRow(row, fields) {
+  if (!row) return null;
+  const obj = {};
+  for (const [key, field] of Object.entries(fields)) {
+    const [column, codec] = fieldSpec(field);
+    obj[key] = codec ? CODECS[codec].fromDb(row[column]) : row[column];
+  }
+  return obj;
+}
+
+function toColumns(obj, fields) {
+  const columns = [], values = [];
+  for (const [key, value] of Object.entries(obj)) {
+    if (value === undefined || !fields[key]) continue;
+    const [column, codec] = fieldSpec(fields[key]);
+    columns.push(column);
+    values.push(codec ? CODECS[codec].toDb(value) : value);
+  }
+  return { columns, values };
+}
+
+function insertRow(table, fields, obj, extra = {}) {
+  const { columns, values } = toColumns(obj, fields);
+  for (const [column, value] of Object.entries(extra)) { columns.push(column); values.push(value); }
+  return db.prepare(
+    `INSERT INTO ${table} (${columns.join(", ")}) VALUES (${columns.map(() => "?").join(", ")})`
+  ).run(...values);
+}
+
+function updateRow(table, keyColumn, fields, id, patch) {
+  for (const key of Object.keys(patch)) {
+    if (!fields[key]) throw new Error(`Unknown ${table} field: ${key}`);
+  }
+  const { columns, values } = toColumns(patch, fields);
+  if (columns.length === 0) return false;
+  const sets = columns.map(c => `${c} = ?`).join(", ");
+  return db.prepare(`UPDATE ${table} SET ${sets} WHERE ${keyColumn} = ?`).run(...values, id).changes > 0;
+}
+
+// ====================== STATE ======================
+function getState(key) {
+  const row = db.prepare("SELECT value FROM bot_state WHERE key = ?").get(key);
+  return row ? JSON.parse(row.value) : null;
+}
+
+function setState(key, value) {
+  db.prepare(
+    "INSERT INTO bot_state (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value"
+  ).run(key, JSON.stringify(value));
+}
+
+// ====================== GUILD CONFIG ======================
+const GUILD_CONFIG_FIELDS = {
+  guildId:                    "guild_id",
+  newsChannelId:              "news_channel_id",
+  eventsChannelId:            "events_channel_id",
+  eventReservationsChannelId: "event_reservations_channel_id",
+  eventRequestChannelId:      "event_request_channel_id",
+  announceChannelId:          "announce_channel_id",
+  resultsChannelId:           "results_channel_id",
+  teamManagerRoleId:          "team_manager_role_id",
+  leaderboardCategories:      ["leaderboard_categories", "json"],
+  ttReviewChannelId:          "tt_review_channel_id",
+  ttVerifiedOnly:             ["tt_verified_only", "bool"],
+  ttWinnerRoleId:             "tt_winner_role_id",
+  updatedAt:                  "updated_at",
+  updatedBy:                  "updated_by"
+};
+
+function getGuildConfigs() {
+  return db.prepare("SELECT * FROM guild_config").all().map(r => fromRow(r, GUILD_CONFIG_FIELDS));
+}
+
+function getGuildConfig(guildId) {
+  return fromRow(db.prepare("SELECT * FROM guild_config WHERE guild_id = ?").get(guildId), GUILD_CONFIG_FIELDS);
+}
+
+// Creates the row on first write. Pass null to clear a setting.
+const saveGuildConfig = db.transaction((guildId, patch) => {
+  db.prepare("INSERT OR IGNORE INTO guild_config (guild_id) VALUES (?)").run(guildId);
+  updateRow("guild_config", "guild_id", GUILD_CONFIG_FIELDS, guildId, patch);
+  return getGuildConfig(guildId);
+});
+
+// ====================== DRIVERS ======================
+// Ratings are tracked per iRacing category; callers that don't say which get sports car
+const DEFAULT_CATEGORY = "sports_car";
+
+const DRIVER_FIELDS = {
+  discordId:       "discord_id",
+  iracingName:     "iracing_name",
+  customerId:      "customer_id",
+  tokenFailed:     ["token_failed", "bool"]
+};
+const RATING_FIELDS = {
+  lastIRating:     "last_irating",
+  baselineIRating: "baseline_irating",
+  lastChange:      "last_change",
+  lastRank:        "last_rank",
+  announcedRank:   "announced_rank",
+  rankAnnouncedAt: "rank_announced_at"
+};
+const TOKEN_FIELDS = {
+  accessToken:  "access_token",
+  refreshToken: "refresh_token",
+  expiresAt:    "expires_at"
+};
+
+// Drivers come back with the rating fields of one category merged in (null if they
+// have no rating there yet)
+const DRIVER_SELECT = `
+  SELECT d.*, t.access_token, t.refresh_token, t.expires_at,
+         r.last_irating, r.baseline_irating, r.last_change, r.last_rank,
+         r.announced_rank, r.rank_announced_at
+  FROM drivers d
+  LEFT JOIN driver_tokens t  ON t.discord_id = d.discord_id
+  LEFT JOIN driver_ratings r ON r.discord_id = d.discord_id AND r.category = @category
+`;
+
+function rowToDriver(row, category) {
+  if (!row) return null;
+  return {
+    ...fromRow(row, DRIVER_FIELDS),
+    ...fromRow(row, TOKEN_FIELDS),
+    ...fromRow(row, RATING_FIELDS),
+    category
+  };
+}
+
+function getLinkedDrivers(category = DEFAULT_CATEGORY) {
+  return db.prepare(`${DRIVER_SELECT} ORDER BY d.linked_at`).all({ category })
+    .map(row => rowToDriver(row, category));
+}
+
+function getLinkedDriver(discordId, category = DEFAULT_CATEGORY) {
+  const row = db.prepare(`${DRIVER_SELECT} WHERE d.discord_id = @discordId`).get({ category, discordId });
+  return rowToDriver(row, category);
+}
+
+// Link (or re-link) a driver. Re-linking refreshes identity + tokens but keeps
+// rating history, so a driver who re-links mid-week doesn't lose their weekly delta.
+// Rating fields on `driver` (legacy JSON import) are stored as sports car ratings.
+const saveLinkedDriver = db.transaction(driver => {
+  db.prepare(`
+    INSERT INTO drivers (discord_id, iracing_name, customer_id, token_failed, linked_at)
+    VALUES (@discordId, @iracingName, @customerId, @tokenFailed, @linkedAt)
+    ON CONFLICT(discord_id) DO UPDATE SET
+      iracing_name = excluded.iracing_name,
+      customer_id  = excluded.customer_id,
+      token_failed = 0
+  `).run({
+    discordId:   driver.discordId,
+    iracingName: driver.iracingName ?? null,
+    customerId:  driver.customerId ?? null,
+    tokenFailed: driver.tokenFailed ? 1 : 0,
+    linkedAt:    driver.linkedAt ?? Date.now()
+  });
+  db.prepare(`
+    UPDATE driver_ratings SET baseline_irating = COALESCE(baseline_irating, last_irating)
+    WHERE discord_id = ?
+  `).run(driver.discordId);
+  if (driver.lastIRating != null) {
+    updateDriverRating(driver.discordId, DEFAULT_CATEGORY, {
+      lastIRating:     driver.lastIRating,
+      baselineIRating: driver.baselineIRating ?? driver.lastIRating,
+      lastChange:      driver.lastChange,
+      lastRank:        driver.lastRank
+    });
+  }
+  saveDriverTokens(driver.discordId, driver);
+});
+
+function saveDriverTokens(discordId, { accessToken, refreshToken, expiresAt }) {
+  db.prepare(`
+    INSERT INTO driver_tokens (discord_id, access_token, refresh_token, expires_at)
+    VALUES (?, ?, ?, ?)
+    ON CONFLICT(discord_id) DO UPDATE SET
+      access_token  = excluded.access_token,
+      refresh_token = excluded.refresh_token,
+      expires_at    = excluded.expires_at
+  `).run(discordId, accessToken ?? null, refreshToken ?? null, expiresAt ?? null);
+}
+
+// Patch only the given fields, so a slow leaderboard run can't clobber a token
+// refresh (or an unlink) that happened while it was fetching.
+const updateLinkedDriver = db.transaction((discordId, patch) => {
+  const driverPatch = {}, tokenPatch = {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (TOKEN_FIELDS[key]) tokenPatch[key] = value;
+    else driverPatch[key] = value;
+  }
+  const updated = updateRow("drivers", "discord_id", DRIVER_FIELDS, discordId, driverPatch);
+  if (Object.keys(tokenPatch).length > 0) updateRow("driver_tokens", "discord_id", TOKEN_FIELDS, discordId, tokenPatch);
+  return updated;
+});
+
+// Patch one category's ratings, creating the row on first use. Does nothing if the
+// driver has been unlinked in the meantime.
+function updateDriverRating(discordId, category, patch) {
+  for (const key of Object.keys(patch)) {
+    if (!RATING_FIELDS[key]) throw new Error(`Unknown driver_ratings field: ${key}`);
+  }
+  db.prepare(`
+    INSERT INTO driver_ratings (discord_id, category)
+    SELECT discord_id, ? FROM drivers WHERE discord_id = ?
+    ON CONFLICT DO NOTHING
+  `).run(category, discordId);
+  const { columns, values } = toColumns(patch, RATING_FIELDS);
+  if (columns.length === 0) return false;
+  const sets = columns.map(c => `${c} = ?`).join(", ");
+  return db.prepare(`UPDATE driver_ratings SET ${sets} WHERE discord_id = ? AND category = ?`)
+    .run(...values, discordId, category).changes > 0;
+}
+
+// Persist the rating columns of a leaderboard run in one go. Rating fields are written
+// with null kept as null, so drivers who fell off the rankings lose their stale rank.
+const saveLeaderboardResults = db.transaction((drivers, category = DEFAULT_CATEGORY) => {
+  for (const d of drivers) {
+    updateLinkedDriver(d.discordId, { tokenFailed: d.tokenFailed });
+    updateDriverRating(d.discordId, category, {
+      lastIRating:     d.lastIRating ?? null,
+      baselineIRating: d.baselineIRating ?? null,
+      lastChange:      d.lastChange ?? null,
+      lastRank:        d.lastRank ?? null
+    });
+  }
+});
+
+function deleteLinkedDriver(discordId) {
+  return db.prepare("DELETE FROM drivers WHERE discord_id = ?").run(discordId).changes > 0;
+}
+
+// ====================== RATING HISTORY ======================
+function recordRatingSnapshot({ customerId, category = DEFAULT_CATEGORY, irating, safetyRating, licenseClass, recordedAt }) {
+  db.prepare(`
+    INSERT INTO rating_snapshots (customer_id, category, irating, safety_rating, license_class, recorded_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(customerId, category, irating, safetyRating ?? null, licenseClass ?? null, recordedAt ?? Date.now());
+}
+
+// Oldest first, ready for charting
+function getRatingSnapshots(customerId, sinceMs = 0, category = DEFAULT_CATEGORY) {
+  return db.prepare(`
+    SELECT irating, safety_rating, license_class, recorded_at FROM rating_snapshots
+    WHERE customer_id = ? AND category = ? AND recorded_at >= ? ORDER BY recorded_at
+  `).all(customerId, category, sinceMs).map(r => ({
+    irating:      r.irating,
+    safetyRating: r.safety_rating,
+    licenseClass: r.license_class,
+    recordedAt:   r.recorded_at
+  }));
+}
+
+// ====================== RACE RESULTS ======================
+// Subsessions the results feed has already handled, so each race is posted once
+function hasRaceResult(subsessionId) {
+  return !!db.prepare("SELECT 1 FROM race_results WHERE subsession_id = ?").get(subsessionId);
+}
+
+// Claims a subsession for the results feed; false if it was already claimed
+function recordRaceResult({ subsessionId, seriesName, trackName, startedAt }) {
+  return db.prepare(`
+    INSERT OR IGNORE INTO race_results (subsession_id, series_name, track_name, started_at, posted_at)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(subsessionId, seriesName ?? null, trackName ?? null, startedAt ?? null, Date.now()).changes > 0;
+}
+
+// ====================== EVENTS ======================
+const EVENT_FIELDS = {
+  id:                   "id",
+  title:                "title",
+  description:          "description",
+  startTime:            "start_time",
+  endTime:              "end_time",
+  creatorId:            "creator_id",
+  creatorTag:           "creator_tag",
+  buttonPreset:         "button_preset",
+  buttonLabels:         ["button_labels", "json"],
+  buttonCapacities:     ["button_capacities", "json"],
+  recurring:            "recurring",
+  reminderOffsets:      ["reminder_offsets", "json"],
+  reminderThread:       ["reminder_thread", "bool"],
+  reminderRoleId:       "reminder_role_id",
+  mentionRole:          "mention_role",
+  showAttendeeNames:    ["show_attendee_names", "bool"],
+  threadId:             "thread_id",
+  messageId:            "message_id",
+  archived:             ["archived", "bool"],
+  nextRecurrencePosted: ["next_recurrence_posted", "bool"],
+  guildId:              "guild_id",
+  seriesId:             "series_id",
+  occurrenceStart:      "occurrence_start",
+  attendanceMarkedAt:   "attendance_marked_at",
+  attendanceMarkedBy:   "attendance_marked_by",
+  attendanceSubsessionId: "attendance_subsession_id"
+};
+
+// Rebuild `event.responses` ({ label: [{ userId, name }] }) from the RSVP rows, with
+// anyone queued for a full label in `event.waitlists` (same shape, in queue order)
+function withResponses(events) {
+  const byId = new Map();
+  for (const ev of events) {
+    ev.responses = {};
+    ev.waitlists = {};
+    for (const label of ev.buttonLabels) {
+      ev.responses[label] = [];
+      ev.waitlists[label] = [];
+    }
+    byId.set(ev.id, ev);
+  }
+  if (byId.size === 0) return events;
+
+  const rows = db.prepare(
+    `SELECT * FROM event_rsvps WHERE event_id IN (${[...byId.keys()].map(() => "?").join(", ")})
+     ORDER BY responded_at, rowid`
+  ).all(...byId.keys());
+  for (const r of rows) {
+    const ev = byId.get(r.event_id);
+    const list = r.waitlisted ? ev.waitlists : ev.responses;
+    (list[r.label] ??= []).push({ userId: r.user_id, name: r.name });
+  }
+  return events;
+}
+
+function getEvents({ includeArchived = true } = {}) {
+  const where = includeArchived ? "" : "WHERE archived = 0";
+  const rows  = db.prepare(`SELECT * FROM events ${where} ORDER BY start_time`).all();
+  return withResponses(rows.map(r => fromRow(r, EVENT_FIELDS)));
+}
+
+function getEvent(id) {
+  const row = db.prepare("SELECT * FROM events WHERE id = ?").get(id);
+  return row ? withResponses([fromRow(row, EVENT_FIELDS)])[0] : null;
+}
+
+const insertEvent = db.transaction(event => {
+  insertRow("events", EVENT_FIELDS, event);
+  for (const [label, responders] of Object.entries(event.responses || {})) {
+    for (const r of responders) setEventRsvp(event.id, label, r);
+  }
+});
+
+function updateEvent(id, patch) {
+  return updateRow("events", "id", EVENT_FIELDS, id, patch);
+}
+
+function deleteEvent(id) {
+  return db.prepare("DELETE FROM events WHERE id = ?").run(id).changes > 0;
+}
+
+// A user holds at most one response per event; setting a new label replaces the old one.
+function setEventRsvp(eventId, label, { userId, name }, { waitlisted = false } = {}) {
+  db.prepare(`
+    INSERT INTO event_rsvps (event_id, user_id, label, name, responded_at, waitlisted)
+    VALUES (?, ?, ?, ?, ?, ?)
+    ON CONFLICT(event_id, user_id) DO UPDATE SET
+      label = excluded.label, name = excluded.name, responded_at = excluded.responded_at,
+      waitlisted = excluded.waitlisted
+  `).run(eventId, userId, label, name ?? null, Date.now(), waitlisted ? 1 : 0);
+}
+
+function getEventRsvp(eventId, userId) {
+  const row = db.prepare("SELECT * FROM event_rsvps WHERE event_id = ? AND user_id = ?").get(eventId, userId);
+  return row ? { label: row.label, name: row.name, waitlisted: !!row.waitlisted } : null;
+}
+
+function countConfirmedRsvps(eventId, label) {
+  return db.prepare(
+    "SELECT COUNT(*) AS n FROM event_rsvps WHERE event_id = ? AND label = ? AND waitlisted = 0"
+  ).get(eventId, label).n;
+}
+
+// Move the longest-waiting users on `label` into free slots (all of them when the label
+// has no capacity). Returns the promoted users as [{ userId, name, label }].
+function promoteWaitlist(eventId, label, capacity) {
+  const free = capacity == null ? -1 : capacity - countConfirmedRsvps(eventId, label);
+  if (capacity != null && free <= 0) return [];
+  const rows = db.prepare(`
+    SELECT user_id, name FROM event_rsvps
+    WHERE event_id = ? AND label = ? AND waitlisted = 1
+    ORDER BY responded_at, rowid LIMIT ?
+  `).all(eventId, label, free);
+  const promote = db.prepare("UPDATE event_rsvps SET waitlisted = 0 WHERE event_id = ? AND user_id = ?");
+  for (const r of rows) promote.run(eventId, r.user_id);
+  return rows.map(r => ({ userId: r.user_id, name: r.name, label }));
+}
+
+function removeEventRsvp(eventId, userId, label) {
+  return db.prepare(
+    "DELETE FROM event_rsvps WHERE event_id = ? AND user_id = ? AND label = ?"
+  ).run(eventId, userId, label).changes > 0;
+}
+
+// Drop RSVPs whose label is no longer one of the event's buttons. Returns how many went.
+function pruneEventRsvps(eventId, labels) {
+  return db.prepare(
+    `DELETE FROM event_rsvps WHERE event_id = ? AND label NOT IN (${labels.map(() => "?").join(", ")})`
+  ).run(eventId, ...labels).changes;
+}
+
+// RSVP button semantics: clicking your current label withdraws, any other label switches.
+// `capacities` maps label → slot count; a full label puts the user on its waitlist.
+// Returns { status: "joined" | "waitlisted" | "left", position, promoted }, where `promoted`
+// lists waitlisted users moved into the slot this user gave up.
+const toggleEventRsvp = db.transaction((eventId, label, user, capacities = {}) => {
+  const current  = getEventRsvp(eventId, user.userId);
+  const promoted = [];
+  const freeSlot = () => {
+    if (current && !current.waitlisted) promoted.push(...promoteWaitlist(eventId, current.label, capacities[current.label]));
+  };
+
+  if (current?.label === label) {
+    removeEventRsvp(eventId, user.userId, label);
+    freeSlot();
+    return { status: "left", position: null, promoted };
+  }
+
+  const capacity = capacities[label];
+  const full     = capacity != null && countConfirmedRsvps(eventId, label) >= capacity;
+  setEventRsvp(eventId, label, user, { waitlisted: full });
+  freeSlot();
+
+  const position = full
+    ? db.prepare("SELECT COUNT(*) AS n FROM event_rsvps WHERE event_id = ? AND label = ? AND waitlisted = 1").get(eventId, label).n
+    : null;
+  return { status: full ? "waitlisted" : "joined", position, promoted };
+});
+
+// ====================== EVENT REMINDERS ======================
+// One row per reminder offset and target (a user ID or "thread"); a "*" row marks the
+// whole offset as finished ("sent" or "skipped") so the cron stops looking at it.
+function getReminderLog(eventId) {
+  return db.prepare("SELECT * FROM event_reminder_log WHERE event_id = ?").all(eventId).map(r => ({
+    offsetMinutes: r.offset_minutes, target: r.target, status: r.status, attempts: r.attempts
+  }));
+}
+
+function recordReminderDelivery(eventId, offsetMinutes, target, status) {
+  db.prepare(`
+    INSERT INTO event_reminder_log (event_id, offset_minutes, target, status, attempts, updated_at)
+    VALUES (?, ?, ?, ?, 1, ?)
+    ON CONFLICT(event_id, offset_minutes, target)
+    DO UPDATE SET status = excluded.status, attempts = attempts + 1, updated_at = excluded.updated_at
+  `).run(eventId, offsetMinutes, target, status, Date.now());
+}
+
+// Called when the start time or offsets change so every reminder fires again
+function clearReminderLog(eventId) {
+  db.prepare("DELETE FROM event_reminder_log WHERE event_id = ?").run(eventId);
+}
+
+// ====================== NOTIFICATION SETTINGS ======================
+function getNotificationSettings(userId) {
+  const row = db.prepare("SELECT * FROM notification_settings WHERE user_id = ?").get(userId);
+  return {
+    reminderDms:      row ? !!row.reminder_dms : true,
+    reminderMentions: row ? !!row.reminder_mentions : true
+  };
+}
+
+function saveNotificationSettings(userId, patch) {
+  const settings = { ...getNotificationSettings(userId), ...patch };
+  db.prepare(`
+    INSERT INTO notification_settings (user_id, reminder_dms, reminder_mentions, updated_at) VALUES (?, ?, ?, ?)
+    ON CONFLICT(user_id) DO UPDATE SET
+      reminder_dms = excluded.reminder_dms, reminder_mentions = excluded.reminder_mentions, updated_at = excluded.updated_at
+  `).run(userId, settings.reminderDms ? 1 : 0, settings.reminderMentions ? 1 : 0, Date.now());
+  return settings;
+}
+
+// ====================== ATTENDANCE ======================
+// Marking replaces the event's whole sheet: one row per RSVP'd user (attended or not)
+// plus anyone who turned up without an RSVP (rsvpLabel null).
+const saveEventAttendance = db.transaction((eventId, entries, { markedBy, subsessionId = null }) => {
+  db.prepare("DELETE FROM event_attendance WHERE event_id = ?").run(eventId);
+  const insert = db.prepare(
+    "INSERT INTO event_attendance (event_id, user_id, name, rsvp_label, attended) VALUES (?, ?, ?, ?, ?)"
+  );
+  for (const e of entries) insert.run(eventId, e.userId, e.name ?? null, e.rsvpLabel ?? null, e.attended ? 1 : 0);
+  updateEvent(eventId, { attendanceMarkedAt: Date.now(), attendanceMarkedBy: markedBy, attendanceSubsessionId: subsessionId });
+});
+
+function getEventAttendance(eventId) {
+  return db.prepare("SELECT * FROM event_attendance WHERE event_id = ?").all(eventId).map(r => ({
+    userId: r.user_id, name: r.name, rsvpLabel: r.rsvp_label, attended: !!r.attended
+  }));
+}
+
+// Attendance rows for marked events starting in [sinceIso, untilIso), oldest first
+function getAttendanceRecords(sinceIso, untilIso, userId = null) {
+  return db.prepare(`
+    SELECT a.*, e.title, e.start_time, e.guild_id FROM event_attendance a
+    JOIN events e ON e.id = a.event_id
+    WHERE e.attendance_marked_at IS NOT NULL AND e.start_time >= ? AND e.start_time < ?
+      ${userId ? "AND a.user_id = ?" : ""}
+    ORDER BY e.start_time
+  `).all(sinceIso, untilIso, ...(userId ? [userId] : [])).map(r => ({
+    eventId:   r.event_id,
+    title:     r.title,
+    startTime: r.start_time,
+    guildId:   r.guild_id,
+    userId:    r.user_id,
+    name:      r.name,
+    rsvpLabel: r.rsvp_label,
+    attended:  !!r.attended
+  }));
+}
+
+// ====================== EVENT SERIES ======================
+// A recurring event: the rule plus the template each new occurrence is posted from.
+// `generatedUntil` is the start of the last occurrence posted so far.
+const SERIES_FIELDS = {
+  id:                "id",
+  guildId:           "guild_id",
+  rule:              ["rule", "json"],
+  startTime:         "start_time",
+  durationMs:        "duration_ms",
+  title:             "title",
+  description:       "description",
+  creatorId:         "creator_id",
+  creatorTag:        "creator_tag",
+  buttonPreset:      "button_preset",
+  buttonLabels:      ["button_labels", "json"],
+  buttonCapacities:  ["button_capacities", "json"],
+  reminderOffsets:   ["reminder_offsets", "json"],
+  reminderThread:    ["reminder_thread", "bool"],
+  reminderRoleId:    "reminder_role_id",
+  mentionRole:       "mention_role",
+  showAttendeeNames: ["show_attendee_names", "bool"],
+  generatedUntil:    "generated_until",
+  ended:             ["ended", "bool"],
+  createdAt:         "created_at"
+};
+
+function getEventSeriesList({ includeEnded = false } = {}) {
+  const where = includeEnded ? "" : "WHERE ended = 0";
+  return db.prepare(`SELECT * FROM event_series ${where} ORDER BY created_at`).all()
+    .map(r => fromRow(r, SERIES_FIELDS));
+}
+
+function getEventSeries(id) {
+  return fromRow(db.prepare("SELECT * FROM event_series WHERE id = ?").get(id), SERIES_FIELDS);
+}
+
+function insertEventSeries(series) {
+  insertRow("event_series", SERIES_FIELDS, series);
+}
+
+function updateEventSeries(id, patch) {
+  return updateRow("event_series", "id", SERIES_FIELDS, id, patch);
+}
+
+function deleteEventSeries(id) {
+  return db.prepare("DELETE FROM event_series WHERE id = ?").run(id).changes > 0;
+}
+
+// Posted occurrences of a series, oldest first
+function getSeriesEvents(seriesId) {
+  const rows = db.prepare("SELECT * FROM events WHERE series_id = ? ORDER BY occurrence_start").all(seriesId);
+  return withResponses(rows.map(r => fromRow(r, EVENT_FIELDS)));
+}
+
+// ====================== RESERVATIONS ======================
+const RESERVATION_FIELDS = {
+  id:                         "id",
+  submitterId:                "submitter_id",
+  submitterName:              "submitter_name",
+  series:                     "series",
+  track:                      "track",
+  date:                       "date",
+  startTime:                  "start_time",
+  timeslot:                   "timeslot",
+  carClass:                   "car_class",
+  carRunning:                 "car_running",
+  teamCar:                    "team_car",
+  teamCarClass:               "team_car_class",
+  classMismatch:              ["class_mismatch", "bool"],
+  teammates:                  ["teammates", "json"],
+  notes:                      "notes",
+  startTimeUnix:              "start_time_unix",
+  status:                     "status",
+  managerReason:              "manager_reason",
+  managerNotes:               "manager_notes",
+  eventReservationsMessageId: "event_reservations_message_id",
+  eventRequestMessageId:      "event_request_message_id",
+  submittedAt:                "submitted_at",
+  reviewedAt:                 "reviewed_at",
+  reviewedBy:                 "reviewed_by",
+  guildId:                    "guild_id",
+  raceResult:                 ["race_result", "json"],
+  threadId:                   "thread_id",
+  archived:                   ["archived", "bool"]
+};
+
+function getReservations({ includeArchived = true } = {}) {
+  const where = includeArchived ? "" : "WHERE archived = 0";
+  return db.prepare(`SELECT * FROM reservations ${where} ORDER BY submitted_at`).all()
+    .map(r => fromRow(r, RESERVATION_FIELDS));
+}
+
+function getReservation(id) {
+  return fromRow(db.prepare("SELECT * FROM reservations WHERE id = ?").get(id), RESERVATION_FIELDS);
+}
+
+function insertReservation(res) {
+  insertRow("reservations", RESERVATION_FIELDS, res);
+}
+
+function updateReservation(id, patch) {
+  return updateRow("reservations", "id", RESERVATION_FIELDS, id, patch);
+}
+
+// ====================== TEAM CARS ======================
+const TEAM_CAR_FIELDS = {
+  carNumber:    "car_number",
+  carClass:     "car_class",
+  livery:       "livery",
+  iracingCarId: "iracing_car_id",
+  retired:      ["retired", "bool"],
+  retiredAt:    "retired_at",
+  addedBy:      "added_by",
+  addedAt:      "added_at"
+};
+
+// In the order they joined the fleet, which is also the order they're offered in /reserve
+function getTeamCars({ includeRetired = false } = {}) {
+  const where = includeRetired ? "" : "WHERE retired = 0";
+  return db.prepare(`SELECT * FROM team_cars ${where} ORDER BY added_at, car_number`).all()
+    .map(r => fromRow(r, TEAM_CAR_FIELDS));
+}
+
+function getTeamCar(carNumber) {
+  return fromRow(db.prepare("SELECT * FROM team_cars WHERE car_number = ?").get(carNumber), TEAM_CAR_FIELDS);
+}
+
+function insertTeamCar(car) {
+  insertRow("team_cars", TEAM_CAR_FIELDS, car);
+}
+
+function updateTeamCar(carNumber, patch) {
+  return updateRow("team_cars", "car_number", TEAM_CAR_FIELDS, carNumber, patch);
+}
+
+function deleteTeamCar(carNumber) {
+  return db.prepare("DELETE FROM team_cars WHERE car_number = ?").run(carNumber).changes > 0;
+}
+
+// ====================== STINT PLANS ======================
+const STINT_PLAN_FIELDS = {
+  reservationId:   "reservation_id",
+  raceMinutes:     "race_minutes",
+  lapMs:           "lap_ms",
+  fuelLaps:        "fuel_laps",
+  maxStintMinutes: "max_stint_minutes",
+  minDriveMinutes: "min_drive_minutes",
+  drivers:         ["drivers", "json"],
+  stints:          ["stints", "json"],
+  createdBy:       "created_by",
+  updatedAt:       "updated_at"
+};
+
+function getStintPlans() {
+  return db.prepare("SELECT * FROM stint_plans").all().map(r => fromRow(r, STINT_PLAN_FIELDS));
+}
+
+function getStintPlan(reservationId) {
+  return fromRow(db.prepare("SELECT * FROM stint_plans WHERE reservation_id = ?").get(reservationId), STINT_PLAN_FIELDS);
+}
+
+// A new plan replaces the old one outright
+function saveStintPlan(plan) {
+  db.transaction(() => {
+    deleteStintPlan(plan.reservationId);
+    insertRow("stint_plans", STINT_PLAN_FIELDS, { ...plan, updatedAt: Date.now() });
+  })();
+}
+
+function updateStintPlan(reservationId, patch) {
+  return updateRow("stint_plans", "reservation_id", STINT_PLAN_FIELDS, reservationId, patch);
+}
+
+function deleteStintPlan(reservationId) {
+  return db.prepare("DELETE FROM stint_plans WHERE reservation_id = ?").run(reservationId).changes > 0;
+}
+
+// ====================== AVAILABILITY POLLS ======================
+// A race split into `blockCount` blocks of `blockMinutes` from `startUnix`; each response
+// lists the block indexes a driver could cover.
+const POLL_FIELDS = {
+  id:            "id",
+  guildId:       "guild_id",
+  title:         "title",
+  startUnix:     "start_unix",
+  blockMinutes:  "block_minutes",
+  blockCount:    "block_count",
+  timezone:      "timezone",
+  reservationId: "reservation_id",
+  channelId:     "channel_id",
+  messageId:     "message_id",
+  creatorId:     "creator_id",
+  closed:        ["closed", "bool"],
+  createdAt:     "created_at"
+};
+
+function getAvailabilityPoll(id) {
+  const poll = fromRow(db.prepare("SELECT * FROM availability_polls WHERE id = ?").get(id), POLL_FIELDS);
+  if (!poll) return null;
+  poll.responses = db.prepare("SELECT * FROM availability_responses WHERE poll_id = ? ORDER BY updated_at").all(id)
+    .map(r => ({ userId: r.user_id, name: r.name, timezone: r.timezone, blocks: JSON.parse(r.blocks) }));
+  return poll;
+}
+
+function insertAvailabilityPoll(poll) {
+  insertRow("availability_polls", POLL_FIELDS, poll);
+}
+
+function updateAvailabilityPoll(id, patch) {
+  return updateRow("availability_polls", "id", POLL_FIELDS, id, patch);
+}
+
+function setAvailabilityResponse(pollId, { userId, name, timezone, blocks }) {
+  db.prepare(`
+    INSERT INTO availability_responses (poll_id, user_id, name, timezone, blocks, updated_at) VALUES (?, ?, ?, ?, ?, ?)
+    ON CONFLICT(poll_id, user_id) DO UPDATE SET
+      name = excluded.name, timezone = excluded.timezone, blocks = excluded.blocks, updated_at = excluded.updated_at
+  `).run(pollId, userId, name ?? null, timezone ?? null, JSON.stringify(blocks), Date.now());
+}
+
+// The timezone a driver picked on their most recent poll, so the next one starts there
+function getLastAvailabilityTimezone(userId) {
+  return db.prepare(
+    "SELECT timezone FROM availability_responses WHERE user_id = ? AND timezone IS NOT NULL ORDER BY updated_at DESC LIMIT 1"
+  ).get(userId)?.timezone ?? null;
+}
+
+// ====================== CALENDAR TOKENS ======================
+// The personal .ics feed URL carries this token instead of the Discord ID,
+// so a leaked link can be revoked without exposing who it belongs to.
+function getCalendarToken(discordId) {
+  const row = db.prepare("SELECT token FROM calendar_tokens WHERE discord_id = ?").get(discordId);
+  return row ? row.token : resetCalendarToken(discordId);
+}
+
+function resetCalendarToken(discordId) {
+  const token = crypto.randomBytes(24).toString("hex");
+  db.prepare(`
+    INSERT INTO calendar_tokens (discord_id, token, created_at) VALUES (?, ?, ?)
+    ON CONFLICT(discord_id) DO UPDATE SET token = excluded.token, created_at = excluded.created_at
+  `).run(discordId, token, Date.now());
+  return token;
+}
+
+function getCalendarTokenOwner(token) {
+  return db.prepare("SELECT discord_id FROM calendar_tokens WHERE token = ?").get(token)?.discord_id ?? null;
+}
+
+// ====================== TIME TRIALS ======================
+const TIME_TRIAL_FIELDS = {
+  id:         "id",
+  month:      "month",
+  monthLabel: "month_label",
+  classKey:   "class_key",
+  car:        "car",
+  track:      "track",
+  conditions: ["conditions", "json"],
+  color:      "color",
+  deadline:   "deadline",
+  messageId:  "message_id",
+  threadId:   "thread_id",
+  closedAt:   "closed_at",
+  format:     "format",
+  endsAt:     "ends_at",
+  active:     ["active", "bool"]
+};
+
+// tt_submissions rows — the iRacing check and the review are filled in after the lap is recorded
+const TT_LAP_FIELDS = {
+  id:                 "id",
+  trialId:            "trial_id",
+  discordId:          "discord_id",
+  name:               "name",
+  formatted:          "formatted",
+  timeMs:             "time_ms",
+  date:               "submitted_at",
+  screenshotUrl:      "screenshot_url",
+  verification:       "verification",
+  apiTimeMs:          "api_time_ms",
+  verificationSource: "verification_source",
+  verifiedAt:         "verified_at",
+  status:             "status",
+  rejectReason:       "reject_reason",
+  reviewedBy:         "reviewed_by",
+  reviewedAt:         "reviewed_at"
+};
+
+// Assemble the trial object the embeds expect:
+// submissions = { discordId: { name, times: [{ id, formatted, timeMs, date, screenshotUrl, verification, ... }] } }
+function withEntries(tt) {
+  tt.submissions = {};
+  const laps = db.prepare("SELECT * FROM tt_submissions WHERE trial_id = ? ORDER BY id").all(tt.id);
+  for (const lap of laps) {
+    const sub = (tt.submissions[lap.discord_id] ??= { name: lap.name, times: [] });
+    sub.name = lap.name || sub.name;
+    const { trialId, discordId, name, ...entry } = fromRow(lap, TT_LAP_FIELDS);
+    sub.times.push(entry);
+  }
+  tt.signups = db.prepare("SELECT discord_id FROM tt_signups WHERE trial_id = ? ORDER BY rowid")
+    .all(tt.id).map(r => r.discord_id);
+  return tt;
+}
+
+function getActiveTimeTrial(format = "monthly") {
+  const row = db.prepare("SELECT * FROM time_trials WHERE active = 1 AND format = ? ORDER BY id DESC LIMIT 1").get(format);
+  return row ? withEntries(fromRow(row, TIME_TRIAL_FIELDS)) : null;
+}
+
+// The monthly trial and any sprint running alongside it
+function getActiveTimeTrials() {
+  return db.prepare("SELECT * FROM time_trials WHERE active = 1 ORDER BY id").all()
+    .map(r => withEntries(fromRow(r, TIME_TRIAL_FIELDS)));
+}
+
+// Every trial including past months and re-rolled ones, oldest first; year filters on the month
+function getTimeTrials({ year, format } = {}) {
+  const where  = [];
+  const params = [];
+  if (year)   { where.push("month LIKE ?"); params.push(`${year}-%`); }
+  if (format) { where.push("format = ?");   params.push(format); }
+  return db.prepare(`SELECT * FROM time_trials ${where.length ? `WHERE ${where.join(" AND ")}` : ""} ORDER BY month, id`)
+    .all(...params).map(r => fromRow(r, TIME_TRIAL_FIELDS));
+}
+
+function getTimeTrial(id) {
+  const row = db.prepare("SELECT * FROM time_trials WHERE id = ?").get(id);
+  return row ? withEntries(fromRow(row, TIME_TRIAL_FIELDS)) : null;
+}
+
+// Start a new trial; the previous one of the same format stays in the table (inactive)
+// rather than being overwritten
+const createTimeTrial = db.transaction(tt => {
+  db.prepare("UPDATE time_trials SET active = 0 WHERE active = 1 AND format = ?").run(tt.format || "monthly");
+  const { id, ...fields } = tt;
+  const trialId = insertRow("time_trials", TIME_TRIAL_FIELDS, fields, { created_at: Date.now() }).lastInsertRowid;
+  for (const [discordId, sub] of Object.entries(tt.submissions || {})) {
+    // Imported laps were already counting on the standings
+    for (const lap of sub.times) addTimeTrialLap(trialId, discordId, sub.name, { status: "verified", ...lap });
+  }
+  for (const discordId of tt.signups || []) addTimeTrialSignup(trialId, discordId);
+  return getActiveTimeTrial(tt.format);
+});
+
+function updateTimeTrial(id, patch) {
+  return updateRow("time_trials", "id", TIME_TRIAL_FIELDS, id, patch);
+}
+
+function addTimeTrialLap(trialId, discordId, name, { formatted, timeMs, date, screenshotUrl, status = "pending" }) {
+  return db.prepare(`
+    INSERT INTO tt_submissions (trial_id, discord_id, name, formatted, time_ms, submitted_at, screenshot_url, status)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(trialId, discordId, name, formatted, timeMs, date, screenshotUrl ?? null, status).lastInsertRowid;
+}
+
+function getTimeTrialLap(lapId) {
+  return fromRow(db.prepare("SELECT * FROM tt_submissions WHERE id = ?").get(lapId), TT_LAP_FIELDS);
+}
+
+function updateTimeTrialLap(lapId, patch) {
+  return updateRow("tt_submissions", "id", TT_LAP_FIELDS, lapId, patch);
+}
+
+function deleteTimeTrialLap(lapId) {
+  return db.prepare("DELETE FROM tt_submissions WHERE id = ?").run(lapId).changes > 0;
+}
+
+// Remove every lap a driver submitted to a trial, along with their signup
+const deleteTimeTrialEntries = db.transaction((trialId, discordId) => {
+  db.prepare("DELETE FROM tt_signups WHERE trial_id = ? AND discord_id = ?").run(trialId, discordId);
+  return db.prepare("DELETE FROM tt_submissions WHERE trial_id = ? AND discord_id = ?").run(trialId, discordId).changes;
+});
+
+function addTimeTrialSignup(trialId, discordId) {
+  return db.prepare("INSERT OR IGNORE INTO tt_signups (trial_id, discord_id) VALUES (?, ?)").run(trialId, discordId).changes > 0;
+}
+
+const TT_RESULT_FIELDS = {
+  trialId:   "trial_id",
+  discordId: "discord_id",
+  name:      "name",
+  position:  "position",
+  timeMs:    "time_ms",
+  formatted: "formatted",
+  points:    "points"
+};
+
+// Freeze a trial's final standings and mark it closed
+const saveTimeTrialResults = db.transaction((trialId, results) => {
+  db.prepare("DELETE FROM tt_results WHERE trial_id = ?").run(trialId);
+  for (const result of results) insertRow("tt_results", TT_RESULT_FIELDS, { ...result, trialId });
+  // Re-scoring after a late review keeps the original closing time
+  db.prepare("UPDATE time_trials SET closed_at = COALESCE(closed_at, ?) WHERE id = ?").run(Date.now(), trialId);
+});
+
+function getTimeTrialResults(trialId) {
+  return db.prepare("SELECT * FROM tt_results WHERE trial_id = ? ORDER BY position").all(trialId)
+    .map(r => fromRow(r, TT_RESULT_FIELDS));
+}
+
+// ====================== TIME TRIAL POOLS ======================
+const TT_POOL_FIELDS = {
+  classKey: "class_key",
+  kind:     "kind",
+  name:     "name",
+  addedBy:  "added_by",
+  addedAt:  "added_at"
+};
+
+const TT_WEATHER_FIELDS = {
+  id:        "id",
+  cloud:     "cloud",
+  temp:      "temp",
+  humidity:  "humidity",
+  windSpeed: "wind_speed",
+  windDir:   "wind_dir",
+  addedBy:   "added_by",
+  addedAt:   "added_at"
+};
+
+// Cars, tracks and times of day, in the order they were added
+function getTimeTrialPool() {
+  return db.prepare("SELECT * FROM tt_pool ORDER BY added_at, rowid").all().map(r => fromRow(r, TT_POOL_FIELDS));
+}
+
+// False when the entry is already in the pool (names match case-insensitively)
+function addTimeTrialPoolEntry(entry) {
+  const { columns, values } = toColumns(entry, TT_POOL_FIELDS);
+  return db.prepare(`INSERT OR IGNORE INTO tt_pool (${columns.join(", ")}) VALUES (${columns.map(() => "?").join(", ")})`)
+    .run(...values).changes > 0;
+}
+
+function removeTimeTrialPoolEntry(classKey, kind, name) {
+  return db.prepare("DELETE FROM tt_pool WHERE class_key = ? AND kind = ? AND name = ?").run(classKey, kind, name).changes > 0;
+}
+
+function getTimeTrialWeather() {
+  return db.prepare("SELECT * FROM tt_weather ORDER BY id").all().map(r => fromRow(r, TT_WEATHER_FIELDS));
+}
+
+function addTimeTrialWeather(weather) {
+  return insertRow("tt_weather", TT_WEATHER_FIELDS, weather).lastInsertRowid;
+}
+
+function deleteTimeTrialWeather(id) {
+  return db.prepare("DELETE FROM tt_weather WHERE id = ?").run(id).changes > 0;
+}
+
+module.exports = {
+  db,
+  DATA_DIR,
+  DEFAULT_CATEGORY,
+  getState, setState,
+  getGuildConfigs, getGuildConfig, saveGuildConfig,
+  getLinkedDrivers, getLinkedDriver, saveLinkedDriver, updateLinkedDriver, saveLeaderboardResults, deleteLinkedDriver,
+  updateDriverRating,
+  recordRatingSnapshot, getRatingSnapshots,
+  hasRaceResult, recordRaceResult,
+  getEvents, getEvent, insertEvent, updateEvent, deleteEvent,
+  setEventRsvp, getEventRsvp, removeEventRsvp, toggleEventRsvp, promoteWaitlist, pruneEventRsvps,
+  getReminderLog, recordReminderDelivery, clearReminderLog,
+  getNotificationSettings, saveNotificationSettings,
+  saveEventAttendance, getEventAttendance, getAttendanceRecords,
+  getEventSeriesList, getEventSeries, insertEventSeries, updateEventSeries, deleteEventSeries, getSeriesEvents,
+  getReservations, getReservation, insertReservation, updateReservation,
+  getTeamCars, getTeamCar, insertTeamCar, updateTeamCar, deleteTeamCar,
+  getStintPlans, getStintPlan, saveStintPlan, updateStintPlan, deleteStintPlan,
+  getAvailabilityPoll, insertAvailabilityPoll, updateAvailabilityPoll, setAvailabilityResponse, getLastAvailabilityTimezone,
+  getCalendarToken, resetCalendarToken, getCalendarTokenOwner,
+  getActiveTimeTrial, getActiveTimeTrials, getTimeTrials, getTimeTrial, createTimeTrial, updateTimeTrial,
+  addTimeTrialLap, getTimeTrialLap, updateTimeTrialLap, deleteTimeTrialLap, deleteTimeTrialEntries, addTimeTrialSignup,
+  saveTimeTrialResults, getTimeTrialResults,
+  getTimeTrialPool, addTimeTrialPoolEntry, removeTimeTrialPoolEntry, getTimeTrialWeather, addTimeTrialWeather, deleteTimeTrialWeather
+};
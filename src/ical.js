@@ -0,0 +1,70 @@
+// Minimal iCalendar (RFC 5545) writer for the /calendar feeds served by index.js.
+// Items are plain objects: { uid, start, end, summary, description, url, status }
+// with start/end as anything `new Date()` accepts.
+const PRODID = "-//Gamma Sim Racing//GSR Bot//EN";
+
+// 20260412T190000Z
+function formatDate(value) {
+  return new Date(value).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+function foldLine(line) {
+  if (Buffer.byteLength(line) <= 75) return line;
+  const parts = [];
+  let current = "";
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = "";
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+function buildEvent(item, stamp) {
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${item.uid}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART:${formatDate(item.start)}`,
+    `DTEND:${formatDate(item.end)}`,
+    `SUMMARY:${escapeText(item.summary)}`
+  ];
+  if (item.description) lines.push(`DESCRIPTION:${escapeText(item.description)}`);
+  if (item.url)         lines.push(`URL:${item.url}`);
+  if (item.status)      lines.push(`STATUS:${item.status}`);
+  lines.push("END:VEVENT");
+  return lines;
+}
+
+function buildCalendar(name, items) {
+  const stamp = formatDate(Date.now());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    // Hint for subscribing clients — most of them poll far less often anyway
+    "REFRESH-INTERVAL;VALUE=DURATION:PT1H",
+    "X-PUBLISHED-TTL:PT1H",
+    ...items.flatMap(item => buildEvent(item, stamp)),
+    "END:VCALENDAR"
+  ];
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+module.exports = { buildCalendar };
@@ -0,0 +1,74 @@
+// One-shot importer for the JSON files the bot used before the SQLite store.
+// Runs automatically on startup (see index.js) and records a marker in bot_state,
+// so it never imports twice. The JSON files are left in place as a backup.
+// Can also be run by hand: `node src/import-json.js`
+const fs = require("fs");
+const path = require("path");
+const store = require("./db");
+
+const IMPORT_MARKER = "jsonImportedAt";
+
+function readJson(file) {
+  const full = path.join(store.DATA_DIR, file);
+  if (!fs.existsSync(full)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(full, "utf8"));
+  } catch (err) {
+    console.error(`JSON import: could not parse ${file}:`, err.message);
+    return null;
+  }
+}
+
+const importAll = store.db.transaction(() => {
+  const counts = { drivers: 0, events: 0, reservations: 0, timeTrials: 0 };
+
+  for (const d of readJson("linked-drivers.json") || []) {
+    if (!d.discordId) continue;
+    store.saveLinkedDriver(d);
+    counts.drivers++;
+  }
+
+  for (const ev of readJson("events.json") || []) {
+    if (!ev.id || store.getEvent(ev.id)) continue;
+    // events.json only had a single reminderMinutes and a reminderSent flag
+    const offsets = ev.reminderOffsets || (ev.reminderMinutes ? [ev.reminderMinutes] : null);
+    store.insertEvent({ ...ev, reminderOffsets: offsets });
+    if (ev.reminderSent && ev.reminderMinutes) store.recordReminderDelivery(ev.id, ev.reminderMinutes, "*", "sent");
+    counts.events++;
+  }
+
+  for (const res of readJson("reservations.json") || []) {
+    if (!res.id || store.getReservation(res.id)) continue;
+    store.insertReservation(res);
+    counts.reservations++;
+  }
+
+  const tt = readJson("timetrial.json");
+  if (tt?.month) {
+    store.createTimeTrial(tt);
+    counts.timeTrials++;
+  }
+
+  const lastNews = readJson("last-news.json");
+  if (lastNews?.url) store.setState("lastNewsUrl", lastNews.url);
+
+  store.setState(IMPORT_MARKER, Date.now());
+  return counts;
+});
+
+// Returns the import counts, or null if the import already ran
+function importLegacyJson() {
+  if (store.getState(IMPORT_MARKER)) return null;
+  const counts = importAll();
+  console.log(
+    `Imported legacy JSON: ${counts.drivers} driver(s), ${counts.events} event(s), ` +
+    `${counts.reservations} reservation(s), ${counts.timeTrials} time trial(s)`
+  );
+  return counts;
+}
+
+if (require.main === module) {
+  if (!importLegacyJson()) console.log("Legacy JSON already imported — nothing to do.");
+}
+
+module.exports = { importLegacyJson };
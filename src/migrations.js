@@ -0,0 +1,529 @@
+// Schema migrations, applied in order by src/db.js.
+// The array index + 1 is the schema version stored in PRAGMA user_version —
+// never edit or reorder a shipped migration, only append new ones.
+module.exports = [
+  // 1 — initial schema (replaces the JSON files in DATA_DIR)
+  `
+  CREATE TABLE drivers (
+    discord_id        TEXT PRIMARY KEY,
+    iracing_name      TEXT,
+    customer_id       INTEGER,
+    last_irating      INTEGER,
+    baseline_irating  INTEGER,
+    last_change       INTEGER,
+    last_rank         INTEGER,
+    token_failed      INTEGER NOT NULL DEFAULT 0,
+    linked_at         INTEGER NOT NULL
+  );
+
+  CREATE TABLE driver_tokens (
+    discord_id     TEXT PRIMARY KEY REFERENCES drivers(discord_id) ON DELETE CASCADE,
+    access_token   TEXT,
+    refresh_token  TEXT,
+    expires_at     INTEGER
+  );
+
+  CREATE TABLE events (
+    id                      TEXT PRIMARY KEY,
+    title                   TEXT NOT NULL,
+    description             TEXT,
+    start_time              TEXT NOT NULL,
+    end_time                TEXT,
+    creator_id              TEXT,
+    creator_tag             TEXT,
+    button_preset           TEXT,
+    button_labels           TEXT NOT NULL,
+    recurring               TEXT,
+    reminder_minutes        INTEGER,
+    reminder_sent           INTEGER NOT NULL DEFAULT 0,
+    mention_role            TEXT,
+    show_attendee_names     INTEGER NOT NULL DEFAULT 1,
+    thread_id               TEXT,
+    message_id              TEXT,
+    archived                INTEGER NOT NULL DEFAULT 0,
+    next_recurrence_posted  INTEGER NOT NULL DEFAULT 0
+  );
+
+  CREATE TABLE event_rsvps (
+    event_id      TEXT NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+    user_id       TEXT NOT NULL,
+    label         TEXT NOT NULL,
+    name          TEXT,
+    responded_at  INTEGER NOT NULL,
+    PRIMARY KEY (event_id, user_id)
+  );
+
+  CREATE TABLE reservations (
+    id                             TEXT PRIMARY KEY,
+    submitter_id                   TEXT NOT NULL,
+    submitter_name                 TEXT,
+    series                         TEXT,
+    track                          TEXT,
+    date                           TEXT,
+    start_time                     TEXT,
+    timeslot                       TEXT,
+    car_class                      TEXT,
+    car_running                    TEXT,
+    team_car                       TEXT,
+    team_car_class                 TEXT,
+    class_mismatch                 INTEGER NOT NULL DEFAULT 0,
+    teammates                      TEXT NOT NULL DEFAULT '[]',
+    notes                          TEXT,
+    start_time_unix                INTEGER,
+    status                         TEXT NOT NULL DEFAULT 'pending',
+    manager_reason                 TEXT,
+    manager_notes                  TEXT,
+    event_reservations_message_id  TEXT,
+    event_request_message_id       TEXT,
+    submitted_at                   INTEGER,
+    reviewed_at                    INTEGER,
+    reviewed_by                    TEXT
+  );
+  CREATE INDEX idx_reservations_status ON reservations(status);
+
+  CREATE TABLE time_trials (
+    id           INTEGER PRIMARY KEY AUTOINCREMENT,
+    month        TEXT NOT NULL,
+    month_label  TEXT,
+    class_key    TEXT NOT NULL,
+    car          TEXT NOT NULL,
+    track        TEXT NOT NULL,
+    conditions   TEXT NOT NULL DEFAULT '{}',
+    color        INTEGER,
+    deadline     TEXT,
+    message_id   TEXT,
+    thread_id    TEXT,
+    active       INTEGER NOT NULL DEFAULT 1,
+    created_at   INTEGER NOT NULL
+  );
+
+  CREATE TABLE tt_submissions (
+    id              INTEGER PRIMARY KEY AUTOINCREMENT,
+    trial_id        INTEGER NOT NULL REFERENCES time_trials(id) ON DELETE CASCADE,
+    discord_id      TEXT NOT NULL,
+    name            TEXT,
+    formatted       TEXT NOT NULL,
+    time_ms         INTEGER NOT NULL,
+    submitted_at    TEXT NOT NULL,
+    screenshot_url  TEXT
+  );
+  CREATE INDEX idx_tt_submissions_trial ON tt_submissions(trial_id, discord_id);
+
+  CREATE TABLE tt_signups (
+    trial_id    INTEGER NOT NULL REFERENCES time_trials(id) ON DELETE CASCADE,
+    discord_id  TEXT NOT NULL,
+    PRIMARY KEY (trial_id, discord_id)
+  );
+
+  CREATE TABLE bot_state (
+    key    TEXT PRIMARY KEY,
+    value  TEXT
+  );
+  `,
+
+  // 2 — iRating / Safety Rating history, one row per successful fetch
+  `
+  CREATE TABLE rating_snapshots (
+    id             INTEGER PRIMARY KEY AUTOINCREMENT,
+    customer_id    INTEGER NOT NULL,
+    irating        INTEGER NOT NULL,
+    safety_rating  REAL,
+    license_class  TEXT,
+    recorded_at    INTEGER NOT NULL
+  );
+  CREATE INDEX idx_rating_snapshots_customer ON rating_snapshots(customer_id, recorded_at);
+  `,
+
+  // 3 — position-change announcer bookkeeping
+  `
+  ALTER TABLE drivers ADD COLUMN announced_rank INTEGER;
+  ALTER TABLE drivers ADD COLUMN rank_announced_at INTEGER;
+  `,
+
+  // 4 — per-guild configuration; events and reservations remember their guild
+  `
+  CREATE TABLE guild_config (
+    guild_id                       TEXT PRIMARY KEY,
+    news_channel_id                TEXT,
+    events_channel_id              TEXT,
+    event_reservations_channel_id  TEXT,
+    event_request_channel_id       TEXT,
+    announce_channel_id            TEXT,
+    team_manager_role_id           TEXT,
+    updated_at                     INTEGER,
+    updated_by                     TEXT
+  );
+
+  ALTER TABLE events ADD COLUMN guild_id TEXT;
+  ALTER TABLE reservations ADD COLUMN guild_id TEXT;
+  `,
+
+  // 5 — per-category ratings (sports car, formula, oval, dirt road, dirt oval)
+  `
+  CREATE TABLE driver_ratings (
+    discord_id         TEXT NOT NULL REFERENCES drivers(discord_id) ON DELETE CASCADE,
+    category           TEXT NOT NULL,
+    last_irating       INTEGER,
+    baseline_irating   INTEGER,
+    last_change        INTEGER,
+    last_rank          INTEGER,
+    announced_rank     INTEGER,
+    rank_announced_at  INTEGER,
+    PRIMARY KEY (discord_id, category)
+  );
+
+  -- Everything recorded so far was sports car
+  INSERT INTO driver_ratings (discord_id, category, last_irating, baseline_irating, last_change,
+                              last_rank, announced_rank, rank_announced_at)
+  SELECT discord_id, 'sports_car', last_irating, baseline_irating, last_change,
+         last_rank, announced_rank, rank_announced_at
+  FROM drivers;
+
+  ALTER TABLE drivers DROP COLUMN last_irating;
+  ALTER TABLE drivers DROP COLUMN baseline_irating;
+  ALTER TABLE drivers DROP COLUMN last_change;
+  ALTER TABLE drivers DROP COLUMN last_rank;
+  ALTER TABLE drivers DROP COLUMN announced_rank;
+  ALTER TABLE drivers DROP COLUMN rank_announced_at;
+
+  ALTER TABLE rating_snapshots ADD COLUMN category TEXT NOT NULL DEFAULT 'sports_car';
+  DROP INDEX idx_rating_snapshots_customer;
+  CREATE INDEX idx_rating_snapshots_customer ON rating_snapshots(customer_id, category, recorded_at);
+
+  ALTER TABLE guild_config ADD COLUMN leaderboard_categories TEXT;
+  `,
+
+  // 6 — race-result feed (one row per posted subsession)
+  `
+  ALTER TABLE guild_config ADD COLUMN results_channel_id TEXT;
+
+  CREATE TABLE race_results (
+    subsession_id  INTEGER PRIMARY KEY,
+    series_name    TEXT,
+    track_name     TEXT,
+    started_at     TEXT,
+    posted_at      INTEGER NOT NULL
+  );
+  `,
+
+  // 7 — team race result attached to a reservation
+  `
+  ALTER TABLE reservations ADD COLUMN race_result TEXT;
+  `,
+
+  // 8 — secret tokens for the personal calendar feeds
+  `
+  CREATE TABLE calendar_tokens (
+    discord_id  TEXT PRIMARY KEY,
+    token       TEXT NOT NULL UNIQUE,
+    created_at  INTEGER NOT NULL
+  );
+  `,
+
+  // 9 — recurring event series; each posted occurrence points back at its series
+  `
+  CREATE TABLE event_series (
+    id                   TEXT PRIMARY KEY,
+    guild_id             TEXT,
+    rule                 TEXT NOT NULL,
+    start_time           TEXT NOT NULL,
+    duration_ms          INTEGER,
+    title                TEXT NOT NULL,
+    description          TEXT,
+    creator_id           TEXT,
+    creator_tag          TEXT,
+    button_preset        TEXT,
+    button_labels        TEXT NOT NULL,
+    reminder_minutes     INTEGER,
+    mention_role         TEXT,
+    show_attendee_names  INTEGER NOT NULL DEFAULT 1,
+    generated_until      TEXT,
+    ended                INTEGER NOT NULL DEFAULT 0,
+    created_at           INTEGER NOT NULL
+  );
+
+  ALTER TABLE events ADD COLUMN series_id TEXT REFERENCES event_series(id) ON DELETE SET NULL;
+  ALTER TABLE events ADD COLUMN occurrence_start TEXT;
+  CREATE INDEX idx_events_series ON events(series_id, occurrence_start);
+  `,
+
+  // 10 — per-label signup capacity and waitlists
+  `
+  ALTER TABLE events ADD COLUMN button_capacities TEXT;
+  ALTER TABLE event_series ADD COLUMN button_capacities TEXT;
+  ALTER TABLE event_rsvps ADD COLUMN waitlisted INTEGER NOT NULL DEFAULT 0;
+  `,
+
+  // 11 — who actually showed up to each event
+  `
+  CREATE TABLE event_attendance (
+    event_id    TEXT NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+    user_id     TEXT NOT NULL,
+    name        TEXT,
+    rsvp_label  TEXT,
+    attended    INTEGER NOT NULL,
+    PRIMARY KEY (event_id, user_id)
+  );
+  CREATE INDEX idx_event_attendance_user ON event_attendance(user_id);
+
+  ALTER TABLE events ADD COLUMN attendance_marked_at INTEGER;
+  ALTER TABLE events ADD COLUMN attendance_marked_by TEXT;
+  ALTER TABLE events ADD COLUMN attendance_subsession_id INTEGER;
+  `,
+
+  // 12 — several reminder offsets per event, thread reminders, delivery log and notification opt-outs
+  `
+  ALTER TABLE events ADD COLUMN reminder_offsets TEXT;
+  ALTER TABLE events ADD COLUMN reminder_thread INTEGER NOT NULL DEFAULT 0;
+  ALTER TABLE events ADD COLUMN reminder_role_id TEXT;
+  UPDATE events SET reminder_offsets = json_array(reminder_minutes) WHERE reminder_minutes IS NOT NULL;
+
+  ALTER TABLE event_series ADD COLUMN reminder_offsets TEXT;
+  ALTER TABLE event_series ADD COLUMN reminder_thread INTEGER NOT NULL DEFAULT 0;
+  ALTER TABLE event_series ADD COLUMN reminder_role_id TEXT;
+  UPDATE event_series SET reminder_offsets = json_array(reminder_minutes) WHERE reminder_minutes IS NOT NULL;
+  ALTER TABLE event_series DROP COLUMN reminder_minutes;
+
+  -- target is a user ID, 'thread', or '*' once the whole reminder is finished
+  CREATE TABLE event_reminder_log (
+    event_id        TEXT NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+    offset_minutes  INTEGER NOT NULL,
+    target          TEXT NOT NULL,
+    status          TEXT NOT NULL,
+    attempts        INTEGER NOT NULL DEFAULT 1,
+    updated_at      INTEGER NOT NULL,
+    PRIMARY KEY (event_id, offset_minutes, target)
+  );
+
+  -- Reminders already sent under the old single-reminder scheme stay sent
+  INSERT INTO event_reminder_log (event_id, offset_minutes, target, status, updated_at)
+  SELECT id, reminder_minutes, '*', 'sent', CAST(strftime('%s', 'now') AS INTEGER) * 1000
+  FROM events WHERE reminder_sent = 1 AND reminder_minutes IS NOT NULL;
+
+  ALTER TABLE events DROP COLUMN reminder_minutes;
+  ALTER TABLE events DROP COLUMN reminder_sent;
+
+  CREATE TABLE notification_settings (
+    user_id            TEXT PRIMARY KEY,
+    reminder_dms       INTEGER NOT NULL DEFAULT 1,
+    reminder_mentions  INTEGER NOT NULL DEFAULT 1,
+    updated_at         INTEGER
+  );
+  `,
+
+  // 13 — driver availability polls for endurance races
+  `
+  CREATE TABLE availability_polls (
+    id              TEXT PRIMARY KEY,
+    guild_id        TEXT,
+    title           TEXT NOT NULL,
+    start_unix      INTEGER NOT NULL,
+    block_minutes   INTEGER NOT NULL,
+    block_count     INTEGER NOT NULL,
+    timezone        TEXT NOT NULL,
+    reservation_id  TEXT REFERENCES reservations(id) ON DELETE SET NULL,
+    channel_id      TEXT,
+    message_id      TEXT,
+    creator_id      TEXT,
+    closed          INTEGER NOT NULL DEFAULT 0,
+    created_at      INTEGER NOT NULL
+  );
+
+  -- blocks: JSON array of block indexes (0-based) the driver can cover
+  CREATE TABLE availability_responses (
+    poll_id     TEXT NOT NULL REFERENCES availability_polls(id) ON DELETE CASCADE,
+    user_id     TEXT NOT NULL,
+    name        TEXT,
+    timezone    TEXT,
+    blocks      TEXT NOT NULL DEFAULT '[]',
+    updated_at  INTEGER NOT NULL,
+    PRIMARY KEY (poll_id, user_id)
+  );
+  CREATE INDEX idx_availability_responses_user ON availability_responses(user_id, updated_at);
+  `,
+
+  // 14 — stint plans for reserved team cars
+  `
+  -- Discussion thread on the #event-reservations post, opened when a plan is first posted
+  ALTER TABLE reservations ADD COLUMN thread_id TEXT;
+
+  -- drivers: JSON [{ userId, name }] in rotation order (userId null for unlinked teammates)
+  -- stints:  JSON [{ driver, startMin, endMin, laps, notifiedAt }] — driver indexes drivers,
+  --          start/end are minutes from the green flag
+  CREATE TABLE stint_plans (
+    reservation_id     TEXT PRIMARY KEY REFERENCES reservations(id) ON DELETE CASCADE,
+    race_minutes       INTEGER NOT NULL,
+    lap_ms             INTEGER,
+    fuel_laps          INTEGER,
+    max_stint_minutes  INTEGER NOT NULL,
+    min_drive_minutes  INTEGER,
+    drivers            TEXT NOT NULL,
+    stints             TEXT NOT NULL,
+    created_by         TEXT,
+    updated_at         INTEGER NOT NULL
+  );
+  `,
+
+  // 15 — team car fleet (was the hard-coded TEAM_CARS list)
+  `
+  -- Retired cars stay in the table so existing reservations keep resolving their class
+  CREATE TABLE team_cars (
+    car_number      TEXT PRIMARY KEY,
+    car_class       TEXT NOT NULL,
+    livery          TEXT,
+    iracing_car_id  INTEGER,
+    retired         INTEGER NOT NULL DEFAULT 0,
+    retired_at      INTEGER,
+    added_by        TEXT,
+    added_at        INTEGER NOT NULL
+  );
+
+  INSERT INTO team_cars (car_number, car_class, added_at)
+  SELECT column1, column2, CAST(strftime('%s', 'now') AS INTEGER) * 1000 + column3 FROM (VALUES
+    ('060', 'GTP', 0), ('090', 'GTP', 1),
+    ('131', 'LMP2', 2), ('192', 'LMP2', 3),
+    ('210', 'GT3', 4), ('240', 'GT3', 5), ('241', 'GT3', 6)
+  );
+  `,
+
+  // 16 — reservations are completed, expired and eventually archived by a cron
+  `
+  -- Archived reservations are kept for history but skipped by conflict checks and listings
+  ALTER TABLE reservations ADD COLUMN archived INTEGER NOT NULL DEFAULT 0;
+  CREATE INDEX idx_reservations_archived ON reservations(archived, status);
+  `,
+
+  // 17 — time trial laps checked against the iRacing data API
+  `
+  -- verified | mismatch | unverified (no lap on record); NULL when the driver isn't linked
+  ALTER TABLE tt_submissions ADD COLUMN verification TEXT;
+  ALTER TABLE tt_submissions ADD COLUMN api_time_ms INTEGER;
+  ALTER TABLE tt_submissions ADD COLUMN verification_source TEXT;
+  ALTER TABLE tt_submissions ADD COLUMN verified_at INTEGER;
+  -- Admin who accepted a flagged lap
+  ALTER TABLE tt_submissions ADD COLUMN reviewed_by TEXT;
+  `,
+
+  // 18 — review queue for time trial laps
+  `
+  ALTER TABLE guild_config ADD COLUMN tt_review_channel_id TEXT;
+  ALTER TABLE guild_config ADD COLUMN tt_verified_only INTEGER NOT NULL DEFAULT 0;
+
+  -- pending | verified | rejected. Laps submitted before the queue existed already counted.
+  ALTER TABLE tt_submissions ADD COLUMN status TEXT NOT NULL DEFAULT 'pending';
+  UPDATE tt_submissions SET status = 'verified';
+  ALTER TABLE tt_submissions ADD COLUMN reject_reason TEXT;
+  ALTER TABLE tt_submissions ADD COLUMN reviewed_at INTEGER;
+  `,
+
+  // 19 — final time trial results scored for the championship
+  `
+  -- Set when the month ends and the standings are frozen into tt_results
+  ALTER TABLE time_trials ADD COLUMN closed_at INTEGER;
+
+  CREATE TABLE tt_results (
+    trial_id    INTEGER NOT NULL REFERENCES time_trials(id) ON DELETE CASCADE,
+    discord_id  TEXT NOT NULL,
+    name        TEXT,
+    position    INTEGER NOT NULL,
+    time_ms     INTEGER NOT NULL,
+    formatted   TEXT NOT NULL,
+    -- Points are stored so changing the points system doesn't rescore past months
+    points      REAL NOT NULL,
+    PRIMARY KEY (trial_id, discord_id)
+  );
+  `,
+
+  // 20 — time trial pools in the database, and week-long sprint trials
+  `
+  -- monthly | sprint. A monthly and a sprint trial can run side by side; sprints end at ends_at.
+  ALTER TABLE time_trials ADD COLUMN format TEXT NOT NULL DEFAULT 'monthly';
+  ALTER TABLE time_trials ADD COLUMN ends_at INTEGER;
+
+  -- Cars and tracks per class (was the hard-coded TT_POOLS). Times of day apply to
+  -- every class, so their class_key is ''.
+  CREATE TABLE tt_pool (
+    class_key  TEXT NOT NULL,
+    kind       TEXT NOT NULL,
+    name       TEXT NOT NULL COLLATE NOCASE,
+    added_by   TEXT,
+    added_at   INTEGER NOT NULL,
+    PRIMARY KEY (class_key, kind, name)
+  );
+
+  CREATE TABLE tt_weather (
+    id          INTEGER PRIMARY KEY AUTOINCREMENT,
+    cloud       TEXT NOT NULL,
+    temp        TEXT NOT NULL,
+    humidity    TEXT NOT NULL,
+    wind_speed  TEXT NOT NULL,
+    wind_dir    TEXT NOT NULL,
+    added_by    TEXT,
+    added_at    INTEGER NOT NULL
+  );
+
+  INSERT INTO tt_pool (class_key, kind, name, added_at)
+  SELECT column1, column2, column3, CAST(strftime('%s', 'now') AS INTEGER) * 1000 FROM (VALUES
+    ('GT3', 'car', 'BMW M4 GT3'), ('GT3', 'car', 'Porsche 911 GT3 R'), ('GT3', 'car', 'Ferrari 296 GT3'),
+    ('GT3', 'car', 'McLaren 720S GT3 EVO'), ('GT3', 'car', 'Mercedes-AMG GT3 2020'),
+    ('GT3', 'car', 'Lamborghini Huracán GT3 EVO'), ('GT3', 'car', 'Audi R8 LMS EVO II GT3'),
+    ('GT3', 'car', 'Aston Martin Vantage GT3'),
+    ('GT3', 'track', 'Circuit de Spa-Francorchamps - Grand Prix Pits'),
+    ('GT3', 'track', 'Autodromo Nazionale Monza - Grand Prix'),
+    ('GT3', 'track', 'Watkins Glen International - Boot'),
+    ('GT3', 'track', 'Road America - Full Course'),
+    ('GT3', 'track', 'Suzuka International Racing Course - Grand Prix'),
+    ('GT3', 'track', 'Mount Panorama Circuit'),
+    ('GT3', 'track', 'Nürburgring Combined - GP'),
+    ('GT3', 'track', 'Autodromo Internazionale Enzo e Dino Ferrari - Grand Prix'),
+    ('GT3', 'track', 'WeatherTech Raceway at Laguna Seca - Full Course'),
+    ('GT3', 'track', 'Silverstone Circuit - Grand Prix'),
+    ('GT3', 'track', 'Brands Hatch Circuit - Grand Prix'),
+    ('GT3', 'track', 'Barber Motorsports Park - Full Course'),
+    ('LMP2', 'car', 'Dallara P217'),
+    ('LMP2', 'track', 'Daytona International Speedway - Road Course'),
+    ('LMP2', 'track', 'Sebring International Raceway - International'),
+    ('LMP2', 'track', 'Circuit of the Americas - Grand Prix'),
+    ('LMP2', 'track', 'Autódromo José Carlos Pace - Grand Prix'),
+    ('LMP2', 'track', 'Fuji Speedway - Grand Prix'),
+    ('LMP2', 'track', 'Circuit de Spa-Francorchamps - Grand Prix Pits'),
+    ('LMP2', 'track', 'Autodromo Nazionale Monza - Grand Prix'),
+    ('LMP2', 'track', 'Road America - Full Course'),
+    ('LMP2', 'track', 'Watkins Glen International - Boot'),
+    ('LMP2', 'track', 'Nürburgring Combined - GP'),
+    ('LMP2', 'track', 'Circuit des 24 Heures du Mans - 24 Heures du Mans'),
+    ('GTP', 'car', 'Porsche 963 GTP'), ('GTP', 'car', 'Cadillac V-Series.R GTP'), ('GTP', 'car', 'BMW M Hybrid V8'),
+    ('GTP', 'track', 'Daytona International Speedway - Road Course'),
+    ('GTP', 'track', 'Sebring International Raceway - International'),
+    ('GTP', 'track', 'Circuit of the Americas - Grand Prix'),
+    ('GTP', 'track', 'Autódromo José Carlos Pace - Grand Prix'),
+    ('GTP', 'track', 'Fuji Speedway - Grand Prix'),
+    ('GTP', 'track', 'Circuit de Spa-Francorchamps - Grand Prix Pits'),
+    ('GTP', 'track', 'Autodromo Nazionale Monza - Grand Prix'),
+    ('GTP', 'track', 'Road America - Full Course'),
+    ('GTP', 'track', 'Watkins Glen International - Boot'),
+    ('GTP', 'track', 'Circuit des 24 Heures du Mans - 24 Heures du Mans'),
+    ('GTP', 'track', 'Suzuka International Racing Course - Grand Prix'),
+    ('', 'time', '9:00 AM'), ('', 'time', '10:00 AM'), ('', 'time', '11:00 AM'), ('', 'time', '12:00 PM'),
+    ('', 'time', '1:00 PM'), ('', 'time', '2:00 PM'), ('', 'time', '3:00 PM'), ('', 'time', '4:00 PM')
+  );
+
+  INSERT INTO tt_weather (cloud, temp, humidity, wind_speed, wind_dir, added_at)
+  SELECT column1, column2, column3, column4, column5, CAST(strftime('%s', 'now') AS INTEGER) * 1000 FROM (VALUES
+    ('Clear',         '72°F', '40%', '4 mph',  'Northwest'),
+    ('Clear',         '82°F', '35%', '6 mph',  'Southwest'),
+    ('Clear',         '77°F', '46%', '3 mph',  'South'),
+    ('Partly Cloudy', '75°F', '52%', '8 mph',  'West'),
+    ('Partly Cloudy', '78°F', '48%', '5 mph',  'Northwest'),
+    ('Partly Cloudy', '80°F', '55%', '7 mph',  'East'),
+    ('Mostly Cloudy', '68°F', '62%', '10 mph', 'North'),
+    ('Overcast',      '65°F', '70%', '12 mph', 'Northeast'),
+    ('Overcast',      '70°F', '58%', '9 mph',  'Southeast')
+  );
+  `,
+
+  // 21 — role handed to the monthly time trial winner
+  `
+  ALTER TABLE guild_config ADD COLUMN tt_winner_role_id TEXT;
+  `
+];
@@ -0,0 +1,273 @@
+// Recurrence rules for repeating events (a small subset of iCalendar RRULE).
+//
+// A rule is stored as JSON on the event series:
+//   { freq: "weekly",  interval: 2, byDay: [2, 4],      until: "2026-12-15", count: null, except: ["2026-11-24"] }
+//   { freq: "monthly", interval: 1, nth: 2, weekday: 2, until: null,         count: 6,    except: [] }
+// Weekdays are 0 = Sunday … 6 = Saturday and nth is 1-4, or -1 for "last". Dates are
+// calendar dates in TIMEZONE. Every occurrence keeps the series' local start time, so a
+// 7 PM league night stays at 7 PM on both sides of a daylight-saving change.
+const TIMEZONE = "America/Chicago";
+
+const DAY_MS          = 24 * 60 * 60 * 1000;
+const MAX_OCCURRENCES = 1000;   // safety net for rules with no end
+const WEEKDAYS        = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const ORDINALS        = { 1: "1st", 2: "2nd", 3: "3rd", 4: "4th", [-1]: "last" };
+
+const partsFormatter = new Intl.DateTimeFormat("en-US", {
+  timeZone: TIMEZONE, hourCycle: "h23",
+  year: "numeric", month: "numeric", day: "numeric", hour: "numeric", minute: "numeric", weekday: "short"
+});
+
+// Wall-clock date and time of an instant in TIMEZONE
+function localParts(ms) {
+  const p = {};
+  for (const { type, value } of partsFormatter.formatToParts(new Date(ms))) p[type] = value;
+  return {
+    year: +p.year, month: +p.month, day: +p.day, hour: +p.hour, minute: +p.minute,
+    weekday: WEEKDAYS.indexOf(p.weekday)
+  };
+}
+
+// Instant at which the wall clock in TIMEZONE reads the given date and time
+function zonedTimeToUtc(year, month, day, hour, minute) {
+  const wanted = Date.UTC(year, month - 1, day, hour, minute);
+  let guess = wanted;
+  // Two passes settle the offset even when the first guess lands across a DST change
+  for (let i = 0; i < 2; i++) {
+    const p = localParts(guess);
+    guess += wanted - Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute);
+  }
+  return guess;
+}
+
+// Calendar dates as day numbers (days since 1970-01-01), which makes date arithmetic trivial
+function dayNumber(year, month, day) {
+  return Date.UTC(year, month - 1, day) / DAY_MS;
+}
+
+function dateString(dayNum) {
+  return new Date(dayNum * DAY_MS).toISOString().slice(0, 10);
+}
+
+function parseDateString(str) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(str || "");
+  if (!m) return null;
+  const n = dayNumber(+m[1], +m[2], +m[3]);
+  return dateString(n) === str ? n : null;
+}
+
+function localDate(value) {
+  const p = localParts(new Date(value).getTime());
+  return dateString(dayNumber(p.year, p.month, p.day));
+}
+
+// Instant at which a "YYYY-MM-DD" date begins in TIMEZONE, optionally a number of days later,
+// or null if the string isn't a real date
+function localDayStart(dateStr, addDays = 0) {
+  const n = parseDateString(dateStr);
+  if (n === null) return null;
+  const d = new Date((n + addDays) * DAY_MS);
+  return zonedTimeToUtc(d.getUTCFullYear(), d.getUTCMonth() + 1, d.getUTCDate(), 0, 0);
+}
+
+// Day number of the nth (or last, n = -1) given weekday in a month, or null if there isn't one
+function nthWeekdayOfMonth(year, month, weekday, nth) {
+  if (nth === -1) {
+    const last = dayNumber(year, month + 1, 0);
+    const lastWeekday = new Date(last * DAY_MS).getUTCDay();
+    return last - ((lastWeekday - weekday + 7) % 7);
+  }
+  const first = dayNumber(year, month, 1);
+  const firstWeekday = new Date(first * DAY_MS).getUTCDay();
+  const n = first + ((weekday - firstWeekday + 7) % 7) + (nth - 1) * 7;
+  return new Date(n * DAY_MS).getUTCMonth() + 1 === month ? n : null;
+}
+
+// Candidate dates (day numbers) matching the rule's pattern, in order, starting at the series start
+function* candidateDays(rule, start) {
+  const startDay = dayNumber(start.year, start.month, start.day);
+  const interval = rule.interval || 1;
+
+  if (rule.freq === "weekly") {
+    const weekStart = startDay - start.weekday;
+    const byDay = [...(rule.byDay?.length ? rule.byDay : [start.weekday])].sort((a, b) => a - b);
+    for (let week = 0; ; week += interval) {
+      for (const wd of byDay) {
+        const n = weekStart + week * 7 + wd;
+        if (n > startDay) yield n;
+      }
+    }
+  }
+
+  if (rule.freq === "monthly") {
+    for (let k = 0; ; k += interval) {
+      const monthIndex = start.month - 1 + k;
+      const n = nthWeekdayOfMonth(start.year + Math.floor(monthIndex / 12), (monthIndex % 12) + 1, rule.weekday, rule.nth);
+      if (n !== null && n > startDay) yield n;
+    }
+  }
+}
+
+// Every occurrence of the series in order, as { start: Date, date: "YYYY-MM-DD" }.
+// The series start itself is always the first occurrence (as with iCalendar's DTSTART),
+// and counts towards `count` even when it is listed in `except`.
+function* eachOccurrence(rule, startTime) {
+  const startMs = new Date(startTime).getTime();
+  const start   = localParts(startMs);
+  const until   = rule.until ? parseDateString(rule.until) : null;
+  const except  = new Set(rule.except || []);
+
+  let produced = 0;
+  const emit = function* (dayNum, ms) {
+    produced++;
+    if (!except.has(dateString(dayNum))) yield { start: new Date(ms), date: dateString(dayNum) };
+  };
+
+  yield* emit(dayNumber(start.year, start.month, start.day), startMs);
+  for (const n of candidateDays(rule, start)) {
+    if (rule.count && produced >= rule.count) return;
+    if (until !== null && n > until) return;
+    if (produced >= MAX_OCCURRENCES) return;
+    const d = new Date(n * DAY_MS);
+    yield* emit(n, zonedTimeToUtc(d.getUTCFullYear(), d.getUTCMonth() + 1, d.getUTCDate(), start.hour, start.minute));
+  }
+}
+
+// Occurrences strictly after `after` and no later than `to` (both optional), at most `max` of them
+function listOccurrences(rule, startTime, { after = null, to = null, max = Infinity } = {}) {
+  const afterMs = after ? new Date(after).getTime() : -Infinity;
+  const toMs    = to ? new Date(to).getTime() : Infinity;
+  const result  = [];
+  for (const occ of eachOccurrence(rule, startTime)) {
+    const ms = occ.start.getTime();
+    if (ms > toMs || result.length >= max) break;
+    if (ms > afterMs) result.push(occ);
+  }
+  return result;
+}
+
+// Split a series at one of its occurrences for "this and all future events" edits:
+// `before` ends the day before it, `after` carries on from it with whatever count is left.
+function splitRule(rule, startTime, occurrenceStart) {
+  const date  = localDate(occurrenceStart);
+  const prior = listOccurrences({ ...rule, except: [] }, startTime, { to: new Date(new Date(occurrenceStart).getTime() - 1) }).length;
+  const except = rule.except || [];
+  return {
+    before: { ...rule, until: dateString(parseDateString(date) - 1), count: null, except: except.filter(e => e < date) },
+    after:  { ...rule, count: rule.count ? Math.max(1, rule.count - prior) : null, except: except.filter(e => e >= date) }
+  };
+}
+
+// Rules behind the quick buttons (and the old "weekly"/"biweekly"/"monthly" strings),
+// anchored on the event's own weekday
+function quickRule(kind, startTime) {
+  const start = localParts(new Date(startTime).getTime());
+  const base  = { until: null, count: null, except: [] };
+  if (kind === "weekly")   return { ...base, freq: "weekly", interval: 1, byDay: [start.weekday] };
+  if (kind === "biweekly") return { ...base, freq: "weekly", interval: 2, byDay: [start.weekday] };
+  if (kind === "monthly") {
+    const nth = Math.ceil(start.day / 7);
+    return { ...base, freq: "monthly", interval: 1, nth: nth > 4 ? -1 : nth, weekday: start.weekday };
+  }
+  return null;
+}
+
+// When an occurrence moves to another day, a rule that just followed its weekday follows it along
+function rebaseRule(rule, fromTime, toTime) {
+  const from = localParts(new Date(fromTime).getTime());
+  if (rule.freq === "weekly" && rule.byDay.length === 1 && rule.byDay[0] === from.weekday) {
+    return { ...rule, byDay: [localParts(new Date(toTime).getTime()).weekday] };
+  }
+  const quick = quickRule("monthly", fromTime);
+  if (rule.freq === "monthly" && rule.nth === quick.nth && rule.weekday === quick.weekday) {
+    const { nth, weekday } = quickRule("monthly", toTime);
+    return { ...rule, nth, weekday };
+  }
+  return rule;
+}
+
+function parseWeekday(token) {
+  const i = WEEKDAYS.findIndex(w => token.toLowerCase().startsWith(w.toLowerCase()));
+  return i === -1 ? null : i;
+}
+
+// Parse the typed form, e.g. "every 2 weeks on tue, thu until 2026-12-15 except 2026-11-24"
+// or "monthly on the last fri for 6 times". Throws an Error with a user-facing message.
+function parseRule(text, startTime) {
+  let rest = text.trim().toLowerCase().replace(/\s+/g, " ");
+  const start = localParts(new Date(startTime).getTime());
+  const rule  = { until: null, count: null, except: [] };
+
+  const exceptMatch = / except (.+)$/.exec(rest);
+  if (exceptMatch) {
+    rule.except = exceptMatch[1].split(/[ ,]+/).filter(Boolean);
+    const bad = rule.except.find(e => parseDateString(e) === null);
+    if (bad) throw new Error(`\`${bad}\` isn't a date — use YYYY-MM-DD.`);
+    rest = rest.slice(0, exceptMatch.index);
+  }
+  const untilMatch = / until (\S+)/.exec(rest);
+  if (untilMatch) {
+    if (parseDateString(untilMatch[1]) === null) throw new Error(`\`${untilMatch[1]}\` isn't a date — use YYYY-MM-DD.`);
+    rule.until = untilMatch[1];
+    rest = rest.replace(untilMatch[0], "");
+  }
+  const countMatch = / (?:for )?(\d+) (?:times|occurrences)/.exec(rest);
+  if (countMatch) {
+    rule.count = parseInt(countMatch[1], 10);
+    if (rule.count < 1) throw new Error("The number of occurrences must be at least 1.");
+    rest = rest.replace(countMatch[0], "");
+  }
+
+  const freqMatch = /^(?:(weekly|biweekly|monthly)|every (?:(other|\d+) )?(weeks?|months?))(?: on (.+))?$/.exec(rest.trim());
+  if (!freqMatch) throw new Error("I couldn't read that rule. Start with `weekly`, `monthly`, `every 2 weeks` or `every 3 months`.");
+  const [, word, every, unit, on] = freqMatch;
+
+  rule.freq     = word === "monthly" || unit?.startsWith("month") ? "monthly" : "weekly";
+  rule.interval = word === "biweekly" || every === "other" ? 2 : every ? parseInt(every, 10) : 1;
+  if (rule.interval < 1) throw new Error("The interval must be at least 1.");
+
+  if (rule.freq === "weekly") {
+    const days = on ? on.split(/ and |[ ,]+/).filter(Boolean).map(parseWeekday) : [start.weekday];
+    if (days.some(d => d === null)) throw new Error("Weekdays should look like `mon, wed, fri`.");
+    rule.byDay = [...new Set(days)].sort((a, b) => a - b);
+  } else if (on) {
+    const m = /^(?:the )?(1st|2nd|3rd|4th|last) (\w+)$/.exec(on);
+    const weekday = m && parseWeekday(m[2]);
+    if (weekday === null || weekday === undefined) throw new Error("Monthly rules look like `monthly on the 2nd tue` or `monthly on the last fri`.");
+    rule.nth     = m[1] === "last" ? -1 : parseInt(m[1], 10);
+    rule.weekday = weekday;
+  } else {
+    Object.assign(rule, quickRule("monthly", startTime), { until: rule.until, count: rule.count, except: rule.except });
+  }
+  return rule;
+}
+
+// Inverse of parseRule — the text it produces parses back to the same rule
+function describeRule(rule) {
+  if (!rule) return "one-time";
+  const interval = rule.interval || 1;
+  let text;
+  if (rule.freq === "weekly") {
+    const every = interval === 1 ? "weekly" : `every ${interval} weeks`;
+    text = `${every} on ${rule.byDay.map(d => WEEKDAYS[d]).join(", ")}`;
+  } else {
+    const every = interval === 1 ? "monthly" : `every ${interval} months`;
+    text = `${every} on the ${ORDINALS[rule.nth]} ${WEEKDAYS[rule.weekday]}`;
+  }
+  if (rule.until)          text += ` until ${rule.until}`;
+  if (rule.count)          text += ` for ${rule.count} times`;
+  if (rule.except?.length) text += ` except ${rule.except.join(", ")}`;
+  return text;
+}
+
+module.exports = {
+  TIMEZONE,
+  localDate,
+  localDayStart,
+  listOccurrences,
+  splitRule,
+  quickRule,
+  rebaseRule,
+  parseRule,
+  describeRule
+};
@@ -1,9 +1,11 @@
-const db = require("./db");
+const { db } = require("./db");
 
-// Update iRatings instead of deleting drivers
-const update = db.prepare(
-  "UPDATE drivers SET irating = ? WHERE name = ?"
-);
+// Update sports car iRatings instead of deleting drivers
+const update = db.prepare(`
+  UPDATE driver_ratings SET last_irating = ?
+  WHERE category = 'sports_car'
+    AND discord_id = (SELECT discord_id FROM drivers WHERE iracing_name = ?)
+`);
 
 // Change numbers here to test movement
 update.run(2300, "Driver One");